@@ -0,0 +1,188 @@
+/**
+ * Stand-in for CryptAPI when testing payments locally: hands out deposit
+ * addresses, keeps callback logs and signs payment callbacks the way CryptAPI
+ * does, with a local key pair instead of theirs.
+ *
+ *   node scripts/cryptapi-stub.js keygen
+ *     Writes data/cryptapi-stub.pem and data/cryptapi-stub.pub.pem.
+ *
+ *   node scripts/cryptapi-stub.js serve [--port=4010]
+ *     Serves /pubkey/, /<coin>/<token>/create/ and /<coin>/<token>/logs/.
+ *     Start the server against it:
+ *     CRYPTAPI_URL=http://localhost:4010 npm start
+ *
+ *   node scripts/cryptapi-stub.js pay <orderId> <amount> [--pending] [--txid=...] [--uuid=...] [--stub=http://localhost:4010]
+ *     Has the running stub send the signed GET callback CryptAPI would send
+ *     for a deposit to the order's address (payment orders and donations).
+ *     Repeat with the same --txid to check replays are ignored.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const PRIVATE_KEY_FILE = path.join(DATA_DIR, 'cryptapi-stub.pem');
+const PUBLIC_KEY_FILE = path.join(DATA_DIR, 'cryptapi-stub.pub.pem');
+
+// Smallest deposit per coin, as CryptAPI reports it on create
+const MINIMUMS = { sol_usdc: 1, sol_sol: 0.01 };
+
+function keygen() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(PRIVATE_KEY_FILE, privateKey, { mode: 0o600 });
+    fs.writeFileSync(PUBLIC_KEY_FILE, publicKey);
+    return publicKey;
+}
+
+// The stub's key pair, created on first use
+function readKeys() {
+    if (!fs.existsSync(PRIVATE_KEY_FILE)) keygen();
+    return {
+        privateKey: fs.readFileSync(PRIVATE_KEY_FILE, 'utf8'),
+        publicKey: fs.readFileSync(PUBLIC_KEY_FILE, 'utf8')
+    };
+}
+
+/**
+ * Start the stub on `port`. Resolves with the http.Server once listening.
+ * Deposit addresses live in memory, keyed by callback URL like CryptAPI's.
+ */
+function serve(port) {
+    const { privateKey, publicKey } = readKeys();
+    const addresses = new Map();
+
+    function send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Sign and send one callback for `orderId`, logging it for /logs/
+    async function pay({ orderId, amount, pending = false, txid, uuid }) {
+        const address = [...addresses.values()].reverse()
+            .find(a => new URL(a.callback).searchParams.get('order_id') === orderId);
+        if (!address) {
+            return { status: 404, body: { error: `No deposit address was created for order ${orderId}` } };
+        }
+
+        const callback = {
+            address_in: address.address_in,
+            txid_in: txid || crypto.randomBytes(32).toString('hex'),
+            value_coin: String(amount),
+            coin: address.coin,
+            pending: pending ? '1' : '0',
+            confirmations: pending ? '0' : '1',
+            uuid: uuid || crypto.randomUUID()
+        };
+        const url = `${address.callback}&${new URLSearchParams(callback)}`;
+        const signature = crypto.sign('sha256', Buffer.from(url), privateKey).toString('base64');
+        address.logs.push({ ...callback, confirmations: Number(callback.confirmations) });
+
+        const res = await fetch(url, { headers: { 'x-ca-signature': signature } });
+        return { status: 200, body: { callback: url, status: res.status, response: await res.text() } };
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        const [coin, token, action] = url.pathname.split('/').filter(Boolean);
+
+        try {
+            if (url.pathname === '/pubkey/') {
+                return send(res, 200, { status: 'success', pubkey: publicKey });
+            }
+            if (req.method === 'POST' && url.pathname === '/pay') {
+                let body = '';
+                for await (const chunk of req) body += chunk;
+                const { status, body: reply } = await pay(JSON.parse(body || '{}'));
+                return send(res, status, reply);
+            }
+
+            const callback = url.searchParams.get('callback');
+            if (!callback || !['create', 'logs'].includes(action)) {
+                return send(res, 404, { status: 'error', error: 'Not found' });
+            }
+
+            if (action === 'create') {
+                const address = addresses.get(callback) || {
+                    coin: `${coin}_${token}`,
+                    callback,
+                    address_in: crypto.randomBytes(16).toString('hex'),
+                    logs: []
+                };
+                addresses.set(callback, address);
+                return send(res, 200, {
+                    status: 'success',
+                    address_in: address.address_in,
+                    address_out: url.searchParams.get('address'),
+                    callback_url: callback,
+                    minimum_transaction_coin: MINIMUMS[address.coin] ?? 1,
+                    priority: 'default'
+                });
+            }
+
+            const address = addresses.get(callback);
+            send(res, 200, {
+                status: 'success',
+                callback,
+                address_in: address?.address_in || null,
+                callbacks: address?.logs || []
+            });
+        } catch (err) {
+            send(res, 500, { status: 'error', error: err.message });
+        }
+    });
+
+    return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+// Ask a running stub to pay an order
+async function pay(orderId, amount, options) {
+    const stub = options.stub || 'http://localhost:4010';
+    const res = await fetch(`${stub}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId, amount, pending: Boolean(options.pending), txid: options.txid, uuid: options.uuid })
+    });
+    const body = await res.json();
+    if (!res.ok) {
+        throw new Error(body.error);
+    }
+    console.log(`${body.status} ${body.response}`);
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const args = rest.filter(a => !a.startsWith('--'));
+    const options = Object.fromEntries(rest.filter(a => a.startsWith('--')).map(a => {
+        const [key, value] = a.slice(2).split('=');
+        return [key, value === undefined ? true : value];
+    }));
+
+    if (command === 'keygen') {
+        console.log(keygen());
+    } else if (command === 'serve') {
+        const port = parseInt(options.port) || 4010;
+        await serve(port);
+        console.log(`CryptAPI stub on http://localhost:${port}; start the server with CRYPTAPI_URL=http://localhost:${port}`);
+    } else if (command === 'pay' && args.length === 2) {
+        await pay(args[0], parseFloat(args[1]), options);
+    } else {
+        console.error('Usage: cryptapi-stub.js keygen | serve [--port=4010] | pay <orderId> <amount> [--pending] [--txid=...] [--uuid=...] [--stub=...]');
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { serve };
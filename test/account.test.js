@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const { ADMIN_TOKEN, startServer, startHttpStub, startSmtpStub, request, createKey, waitFor } = require('./helpers');
+
+let coingecko;
+let smtp;
+let server;
+
+before(async () => {
+    coingecko = await startHttpStub(() => ({ body: { bitcoin: { usd: 100, usd_24h_change: 1, usd_24h_vol: 1e9 } } }));
+    smtp = await startSmtpStub();
+    server = await startServer({ COINGECKO_URL: coingecko.url, SMTP_URL: smtp.url });
+});
+
+after(async () => {
+    await server.stop();
+    await Promise.all([coingecko.close(), smtp.close()]);
+});
+
+const as = key => (method, route, body) => request(server, method, route, { body, headers: { 'X-API-Key': key } });
+
+test('GET /account reports the plan, calls left and usage by endpoint', async () => {
+    const key = await createKey(server, { plan: 'basic' });
+    const call = as(key);
+    await call('GET', '/price/crypto/bitcoin');
+    await call('GET', '/price/crypto/bitcoin');
+
+    const account = (await call('GET', '/account')).body;
+    assert.equal(account.plan, 'Basic');
+    assert.equal(account.callsRemaining, 998);
+    assert.equal(account.callsLimit, 1000);
+    assert.ok(!account.key.includes(key), 'the key is masked');
+    assert.deepEqual(account.usage.byEndpoint, { '/price': 2 });
+});
+
+test('rotating issues a new key, revokes the old one and keeps sub-keys and data', async () => {
+    const oldKey = await createKey(server);
+    const subKey = (await as(oldKey)('POST', '/account/keys', { name: 'bot', scopes: ['market'] })).body.apiKey;
+    const alert = await as(oldKey)('POST', '/alerts', { type: 'crypto', symbol: 'bitcoin', condition: 'above', threshold: 500 });
+
+    const rotated = await as(oldKey)('POST', '/account/rotate');
+    assert.equal(rotated.status, 200);
+    const newKey = rotated.body.apiKey;
+    assert.match(newKey, /^pk_/);
+    assert.notEqual(newKey, oldKey);
+
+    assert.equal((await as(oldKey)('GET', '/account')).status, 401);
+    assert.equal((await as(oldKey)('GET', '/price/crypto/bitcoin')).status, 401);
+    assert.equal((await as(newKey)('GET', '/account')).status, 200);
+    assert.deepEqual((await as(newKey)('GET', '/alerts')).body.alerts.map(a => a.id), [alert.body.id]);
+
+    assert.deepEqual((await as(newKey)('GET', '/account/keys')).body.keys.map(k => k.name), ['bot']);
+    assert.equal((await as(subKey)('GET', '/price/crypto/bitcoin')).status, 200);
+});
+
+test('sub-keys only reach the routes of their scopes', async () => {
+    const key = await createKey(server);
+    await as(key)('POST', '/portfolio', { positions: [{ type: 'crypto', symbol: 'bitcoin', quantity: 1 }] });
+    const market = as((await as(key)('POST', '/account/keys', { name: 'market-only', scopes: ['market'] })).body.apiKey);
+    const books = as((await as(key)('POST', '/account/keys', { name: 'books', scopes: ['portfolio'] })).body.apiKey);
+
+    assert.equal((await market('GET', '/price/crypto/bitcoin')).status, 200);
+    for (const [method, route] of [['GET', '/portfolio'], ['GET', '/alerts'], ['GET', '/webhooks/secret'], ['GET', '/stream']]) {
+        const res = await market(method, route);
+        assert.equal(res.status, 403, route);
+        assert.match(res.body.error, /doesn't have the \w+ scope/);
+    }
+
+    const portfolio = await books('GET', '/portfolio');
+    assert.equal(portfolio.status, 200);
+    assert.deepEqual(portfolio.body.positions.map(p => p.symbol), ['bitcoin'], 'sub-keys see the account\'s data');
+    assert.equal((await books('GET', '/price/crypto/bitcoin')).status, 403);
+
+    // Managing the account takes the primary key
+    assert.equal((await market('GET', '/account')).status, 403);
+    assert.equal((await market('POST', '/account/rotate')).status, 403);
+    assert.equal((await market('POST', '/account/keys', { name: 'escalate' })).status, 403);
+});
+
+test('a sub-key stops at its daily limit and can be deleted', async () => {
+    const key = await createKey(server);
+    const created = await as(key)('POST', '/account/keys', { name: 'capped', scopes: ['market'], dailyLimit: 2 });
+    assert.equal(created.status, 201);
+    const capped = as(created.body.apiKey);
+
+    assert.equal((await capped('GET', '/price/crypto/bitcoin')).status, 200);
+    assert.equal((await capped('GET', '/price/crypto/bitcoin')).status, 200);
+    const limited = await capped('GET', '/price/crypto/bitcoin');
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /daily limit reached/);
+    assert.ok(Number(limited.headers.get('retry-after')) <= 86400);
+    assert.equal((await as(key)('GET', '/price/crypto/bitcoin')).status, 200, 'the primary key is not capped');
+
+    assert.equal((await as(key)('DELETE', '/account/keys/capped')).status, 200);
+    assert.equal((await capped('GET', '/price/crypto/bitcoin')).status, 401);
+});
+
+test('a lost key is recovered through the email it was registered with', async () => {
+    const lostKey = await createKey(server, { email: ' Trader@Example.com ' });
+
+    const asked = await request(server, 'POST', '/account/recover', { body: { email: 'trader@example.com' } });
+    assert.equal(asked.status, 202);
+    const mail = await waitFor(() => smtp.messages.find(m => m.to.includes('trader@example.com')));
+    // Undo quoted-printable soft line breaks
+    const token = /token: ([0-9a-f]{48})/.exec(mail.data.replace(/=\n/g, ''))[1];
+
+    const confirmed = await request(server, 'POST', '/account/recover/confirm', { body: { token } });
+    assert.equal(confirmed.status, 200);
+    assert.equal((await as(lostKey)('GET', '/account')).status, 401);
+    const account = (await as(confirmed.body.apiKey)('GET', '/account')).body;
+    assert.equal(account.email, 'Trader@Example.com');
+
+    const reused = await request(server, 'POST', '/account/recover/confirm', { body: { token } });
+    assert.equal(reused.status, 400);
+});
+
+test('emails that are not addresses are refused where they are stored', async () => {
+    for (const email of [['trader@example.com'], { address: 'trader@example.com' }, 42, 'trader']) {
+        const comped = await request(server, 'POST', '/admin/keys', { body: { email }, headers: { 'X-Admin-Token': ADMIN_TOKEN } });
+        assert.equal(comped.status, 400, JSON.stringify(email));
+        const ordered = await request(server, 'POST', '/payment/create', { body: { plan: 'basic', email } });
+        assert.equal(ordered.status, 400, JSON.stringify(email));
+    }
+    const recover = await request(server, 'POST', '/account/recover', { body: { email: ['trader@example.com'] } });
+    assert.equal(recover.status, 400);
+});
@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { ADMIN_TOKEN, startServer, request } = require('./helpers');
+
+// The CryptAPI stub keeps its key pair in DATA_DIR, read when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptapi-stub-'));
+process.env.DATA_DIR = dataDir;
+const { serve } = require('../scripts/cryptapi-stub');
+
+let stub;
+let stubUrl;
+let server;
+
+before(async () => {
+    stub = await serve(0);
+    stubUrl = `http://127.0.0.1:${stub.address().port}`;
+    server = await startServer({ CRYPTAPI_URL: stubUrl });
+});
+
+after(async () => {
+    await server.stop();
+    await new Promise(resolve => {
+        stub.close(resolve);
+        stub.closeAllConnections();
+    });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Have the stub send CryptAPI's signed callback for a deposit to the order
+async function pay(orderId, amount, options = {}) {
+    const res = await fetch(`${stubUrl}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId, amount, ...options })
+    });
+    return res.json();
+}
+
+// Sign a callback URL ourselves with the stub's key, as CryptAPI would
+function sign(url) {
+    const privateKey = fs.readFileSync(path.join(dataDir, 'cryptapi-stub.pem'), 'utf8');
+    return crypto.sign('sha256', Buffer.from(url), privateKey).toString('base64');
+}
+
+async function createOrder() {
+    const res = await request(server, 'POST', '/payment/create', { body: { plan: 'basic' } });
+    assert.equal(res.status, 200);
+    return res.body.orderId;
+}
+
+const orderStatus = orderId => request(server, 'GET', `/payment/status/${orderId}`).then(res => res.body);
+
+async function callbackLog(query) {
+    const res = await request(server, 'GET', `/admin/callbacks?${new URLSearchParams(query)}`, {
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    });
+    return res.body;
+}
+
+test('a signed callback confirms the order and issues a key', async () => {
+    const orderId = await createOrder();
+    const sent = await pay(orderId, 5, { txid: 'tx-confirm' });
+    assert.equal(sent.status, 200);
+    assert.equal(sent.response, '*ok*');
+
+    const order = await orderStatus(orderId);
+    assert.equal(order.status, 'confirmed');
+    assert.match(order.apiKey, /^pk_/);
+
+    const { items } = await callbackLog({ orderId });
+    assert.equal(items[0].signature, 'valid');
+    assert.equal(items[0].outcome, 'confirmed');
+    assert.equal(items[0].data.txid_in, 'tx-confirm');
+});
+
+test('replayed callbacks are acknowledged but counted once', async () => {
+    const orderId = await createOrder();
+    await pay(orderId, 2, { txid: 'tx-replay', uuid: 'uuid-replay' });
+    const byTxid = await pay(orderId, 2, { txid: 'tx-replay' });
+    const byUuid = await pay(orderId, 2, { txid: 'tx-other', uuid: 'uuid-replay' });
+    assert.equal(byTxid.response, '*ok*');
+    assert.equal(byUuid.response, '*ok*');
+
+    const order = await orderStatus(orderId);
+    assert.equal(order.status, 'partially_paid');
+    assert.equal(order.paid, 2);
+
+    const { items } = await callbackLog({ orderId });
+    assert.deepEqual(items.map(entry => entry.outcome).sort(), ['duplicate', 'duplicate', 'partial']);
+});
+
+test('pending callbacks do not count towards the order', async () => {
+    const orderId = await createOrder();
+    await pay(orderId, 5, { pending: true });
+
+    assert.equal((await orderStatus(orderId)).status, 'pending');
+    assert.equal((await callbackLog({ orderId })).items[0].outcome, 'pending');
+});
+
+test('unsigned and forged callbacks are rejected', async () => {
+    const orderId = await createOrder();
+    const sent = await pay(orderId, 1, { pending: true });
+    const tampered = sent.callback.replace('pending=1', 'pending=0').replace('value_coin=1', 'value_coin=500');
+
+    const unsigned = await fetch(tampered);
+    assert.equal(unsigned.status, 401);
+    const forged = await fetch(tampered, { headers: { 'x-ca-signature': sign(sent.callback) } });
+    assert.equal(forged.status, 401);
+    const garbage = await fetch(tampered, { headers: { 'x-ca-signature': 'bm90IGEgc2lnbmF0dXJl' } });
+    assert.equal(garbage.status, 401);
+
+    const order = await orderStatus(orderId);
+    assert.equal(order.status, 'pending');
+    assert.equal(order.paid, 0);
+
+    const log = await callbackLog({ orderId, outcome: 'rejected' });
+    assert.equal(log.items.length, 3);
+    assert.deepEqual(log.items[0].data, {}, 'rejected callbacks are kept without their data');
+    assert.ok(log.ignored.rejected >= 3);
+});
+
+test('callbacks for another deposit address are ignored', async () => {
+    const orderId = await createOrder();
+    const url = `${server.url}/payment/webhook?order_id=${orderId}&address_in=elsewhere&txid_in=tx-elsewhere&value_coin=5&pending=0`;
+    const res = await fetch(url, { headers: { 'x-ca-signature': sign(url) } });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), '*ok*');
+
+    assert.equal((await orderStatus(orderId)).paid, 0);
+    assert.equal((await callbackLog({ orderId })).items[0].outcome, 'address_mismatch');
+});
+
+test('callbacks for unknown orders are acknowledged and counted', async () => {
+    const url = `${server.url}/payment/webhook?order_id=nope&txid_in=tx-unknown&value_coin=5`;
+    const res = await fetch(url, { headers: { 'x-ca-signature': sign(url) } });
+    assert.equal(res.status, 200);
+
+    const log = await callbackLog({ outcome: 'unknown_order' });
+    assert.equal(log.items[0].orderId, 'nope');
+    assert.ok(log.ignored.unknown_order >= 1);
+});
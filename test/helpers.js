@@ -0,0 +1,211 @@
+/**
+ * Test helpers: run server.js in a child process with its upstreams pointed at
+ * local stand-ins, so tests never reach the network.
+ */
+
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+// Upstreams not under test point at a closed port and fail fast
+const CLOSED_URL = 'http://127.0.0.1:9';
+const UPSTREAM_ENV = [
+    'COINGECKO_URL', 'BINANCE_URL', 'KRAKEN_URL', 'YAHOO_URL', 'FINNHUB_URL', 'EXCHANGERATE_URL',
+    'FRANKFURTER_URL', 'ETHERSCAN_URL', 'BEACONCHAIN_URL', 'POLYGON_GASSTATION_URL', 'MEMPOOL_URL',
+    'ETHEREUM_RPC_URL', 'POLYGON_RPC_URL', 'ARBITRUM_RPC_URL', 'BASE_RPC_URL', 'SOLANA_RPC_URL',
+    'TELEGRAM_API_URL', 'ALTERNATIVE_URL', 'CRYPTAPI_URL'
+];
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start server.js with `env` on a free port, in-memory storage and admin
+ * routes enabled. Resolves once it listens with { url, output(), stop(signal) }.
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const upstreams = Object.fromEntries(UPSTREAM_ENV.map(name => [name, CLOSED_URL]));
+    const child = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, ...upstreams, STORAGE: 'memory', ADMIN_TOKEN, ...env, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('running on port')) resolve();
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        exited.then(code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        output: () => output,
+        async stop(signal = 'SIGTERM') {
+            if (child.exitCode === null) child.kill(signal);
+            await exited;
+        }
+    };
+}
+
+/**
+ * Local HTTP stand-in. `handler(request)` gets { method, url, headers, body }
+ * and returns { status, body } (body JSON-encoded unless a string), or nothing
+ * for 200 {}. Every request is kept in `requests`.
+ */
+async function startHttpStub(handler = () => {}) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const request = { method: req.method, url: req.url, headers: req.headers, body };
+        requests.push(request);
+
+        const { status = 200, body: reply = {} } = (await handler(request)) || {};
+        res.writeHead(status, { 'Content-Type': typeof reply === 'string' ? 'text/plain' : 'application/json' });
+        res.end(typeof reply === 'string' ? reply : JSON.stringify(reply));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
+
+/**
+ * SMTP stand-in accepting every message. Resolves with { url, messages, close() };
+ * each message is { from, to, data } with the raw DATA section.
+ */
+async function startSmtpStub() {
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        let buffer = '';
+        let message = null;
+        let envelope = { from: null, to: [] };
+        socket.write('220 smtp-stub ready\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (message !== null) {
+                    if (line === '.') {
+                        messages.push({ ...envelope, data: message });
+                        envelope = { from: null, to: [] };
+                        message = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        message += line.replace(/^\./, '') + '\n';
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 smtp-stub\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.slice(10).replace(/[<>]/g, '').trim();
+                    socket.write('250 ok\r\n');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line.slice(8).replace(/[<>]/g, '').trim());
+                    socket.write('250 ok\r\n');
+                } else if (command === 'DATA') {
+                    message = '';
+                    socket.write('354 end with <CRLF>.<CRLF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `smtp://127.0.0.1:${server.address().port}`,
+        messages,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            sockets.forEach(socket => socket.destroy());
+        })
+    };
+}
+
+// JSON request against a started server; resolves with { status, headers, body }
+async function request(server, method, route, { body, headers = {} } = {}) {
+    const res = await fetch(server.url + route, {
+        method,
+        headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        // not JSON (e.g. CryptAPI's *ok*)
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+}
+
+// Comp a key through the admin API; resolves with the key
+async function createKey(server, { plan = 'pro', email = null } = {}) {
+    const res = await request(server, 'POST', '/admin/keys', {
+        body: { plan, email },
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    });
+    if (res.status !== 201) {
+        throw new Error(`POST /admin/keys answered ${res.status}: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.apiKey;
+}
+
+// Poll `check` until it returns something truthy or `timeout` ms pass
+async function waitFor(check, { timeout = 10000, interval = 50 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = {
+    ADMIN_TOKEN,
+    startServer,
+    startHttpStub,
+    startSmtpStub,
+    request,
+    createKey,
+    waitFor
+};
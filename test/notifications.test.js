@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, test } = require('node:test');
+const { startServer, startHttpStub, startSmtpStub, request, createKey, waitFor } = require('./helpers');
+
+let chat;
+let coingecko;
+let smtp;
+let server;
+let key;
+
+before(async () => {
+    // One stand-in for Telegram's API and the Discord and Slack webhooks
+    chat = await startHttpStub(({ url }) => (url.endsWith('/fail')
+        ? { status: 500, body: { message: 'internal detail from the chat service' } }
+        : { body: { ok: true } }));
+    coingecko = await startHttpStub(() => ({ body: { bitcoin: { usd: 100, usd_24h_change: 1, usd_24h_vol: 1e9 } } }));
+    smtp = await startSmtpStub();
+    server = await startServer({
+        COINGECKO_URL: coingecko.url,
+        SMTP_URL: smtp.url,
+        TELEGRAM_API_URL: chat.url,
+        TELEGRAM_BOT_TOKEN: '123:server-bot',
+        DISCORD_WEBHOOK_PREFIXES: `${chat.url}/discord/`,
+        SLACK_WEBHOOK_PREFIXES: `${chat.url}/slack/`
+    });
+    key = await createKey(server, { email: 'trader@example.com' });
+});
+
+after(async () => {
+    await server.stop();
+    await Promise.all([chat.close(), coingecko.close(), smtp.close()]);
+});
+
+beforeEach(() => {
+    chat.requests.length = 0;
+    smtp.messages.length = 0;
+});
+
+const withKey = (method, route, body) => request(server, method, route, { body, headers: { 'X-API-Key': key } });
+
+// Every channel, with Discord and Slack pointed at the stand-in
+const channels = () => ({
+    email: true,
+    telegram: { chatId: 42 },
+    discord: { url: `${chat.url}/discord/1/abc` },
+    slack: { url: `${chat.url}/slack/T1/B1/xyz` }
+});
+
+test('a test notification goes out on every channel', async () => {
+    const put = await withKey('PUT', '/notifications', { channels: channels() });
+    assert.equal(put.status, 200);
+    assert.deepEqual(Object.keys(put.body.channels).sort(), ['discord', 'email', 'slack', 'telegram']);
+
+    const res = await withKey('POST', '/notifications/test', {});
+    assert.equal(res.status, 200);
+    assert.ok(res.body.results.every(r => r.ok), JSON.stringify(res.body.results));
+
+    const telegram = chat.requests.find(r => r.url === '/bot123:server-bot/sendMessage');
+    assert.equal(JSON.parse(telegram.body).chat_id, '42');
+    assert.match(JSON.parse(telegram.body).text, /Test notification/);
+
+    const discord = chat.requests.find(r => r.url === '/discord/1/abc');
+    assert.match(JSON.parse(discord.body).content, /^\*\*.*Test notification/);
+    const slack = chat.requests.find(r => r.url === '/slack/T1/B1/xyz');
+    assert.match(JSON.parse(slack.body).text, /^\*.*Test notification/);
+
+    const mail = await waitFor(() => smtp.messages[0]);
+    assert.deepEqual(mail.to, ['trader@example.com']);
+    assert.match(mail.data, /Test notification/);
+});
+
+test('only the requested channel is tested', async () => {
+    await withKey('PUT', '/notifications', { channels: channels() });
+
+    const res = await withKey('POST', '/notifications/test', { channel: 'slack' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(r => r.channel), ['slack']);
+    assert.deepEqual(chat.requests.map(r => r.url), ['/slack/T1/B1/xyz']);
+});
+
+test('webhook URLs must start with an allowed prefix', async () => {
+    for (const url of [
+        'https://example.com/api/webhooks/1/abc',
+        `${chat.url}/slack/T1/B1/xyz`,
+        `${chat.url.replace('//', '//user:pass@')}/discord/1/abc`,
+        'not a url'
+    ]) {
+        const res = await withKey('PUT', '/notifications', { channels: { discord: { url } } });
+        assert.equal(res.status, 400, url);
+        assert.match(res.body.error, /discord\.url must be an incoming webhook URL/);
+    }
+    assert.equal(chat.requests.length, 0);
+});
+
+test('settings of the wrong shape are refused', async () => {
+    for (const body of [{ channels: null }, { channels: [] }, { channels: { slack: null, discord: 'url' } }, { quietHours: 'night' }]) {
+        const res = await withKey('PUT', '/notifications', body);
+        assert.equal(res.status, 400, JSON.stringify(body));
+    }
+});
+
+test('a failing channel is reported without what the service answered', async () => {
+    await withKey('PUT', '/notifications', { channels: { discord: { url: `${chat.url}/discord/1/fail` } } });
+
+    const res = await withKey('POST', '/notifications/test', {});
+    assert.equal(res.status, 502);
+    assert.deepEqual(res.body.results.map(r => [r.channel, r.ok, r.error]), [['discord', false, 'HTTP 500']]);
+    assert.doesNotMatch(JSON.stringify(res.body), /internal detail/);
+
+    const settings = await withKey('GET', '/notifications');
+    assert.equal(settings.body.log[0].error, 'HTTP 500');
+});
+
+test('triggered alerts are sent on the configured channels', async () => {
+    await withKey('PUT', '/notifications', { channels: { telegram: { chatId: 42 }, email: true } });
+
+    const created = await withKey('POST', '/alerts', { type: 'crypto', symbol: 'bitcoin', condition: 'above', threshold: 50 });
+    assert.equal(created.status, 201);
+
+    const telegram = await waitFor(() => chat.requests.find(r => r.url.endsWith('/sendMessage')));
+    assert.match(JSON.parse(telegram.body).text, /BITCOIN is above \$50\.00/);
+    const mail = await waitFor(() => smtp.messages[0]);
+    assert.match(mail.data, /BITCOIN is above/);
+});
@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { ADMIN_TOKEN, startServer, request, createKey } = require('./helpers');
+
+// The CryptAPI stub keeps its key pair in DATA_DIR, read when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptapi-stub-'));
+process.env.DATA_DIR = dataDir;
+const { serve } = require('../scripts/cryptapi-stub');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let stub;
+let stubUrl;
+let server;
+
+before(async () => {
+    stub = await serve(0);
+    stubUrl = `http://127.0.0.1:${stub.address().port}`;
+    server = await startServer({ CRYPTAPI_URL: stubUrl });
+});
+
+after(async () => {
+    await server.stop();
+    await new Promise(resolve => {
+        stub.close(resolve);
+        stub.closeAllConnections();
+    });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Have the stub send CryptAPI's signed callback for a deposit to the order
+async function pay(orderId, amount) {
+    const res = await fetch(`${stubUrl}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId, amount })
+    });
+    return res.json();
+}
+
+async function order(route, key, body) {
+    const res = await request(server, 'POST', route, { body, headers: { 'X-API-Key': key } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body;
+}
+
+const account = key => request(server, 'GET', '/account', { headers: { 'X-API-Key': key } }).then(res => res.body);
+const orderStatus = orderId => request(server, 'GET', `/payment/status/${orderId}`).then(res => res.body);
+
+test('a paid renewal adds a period to the key', async () => {
+    const key = await createKey(server, { plan: 'basic' });
+    const before = await account(key);
+
+    const renewal = await order('/payment/renew', key);
+    assert.equal(renewal.kind, 'renewal');
+    assert.equal(renewal.priceUSD, 5);
+    await pay(renewal.orderId, renewal.priceUSD);
+
+    const status = await orderStatus(renewal.orderId);
+    assert.equal(status.status, 'confirmed');
+    assert.equal(status.apiKey, undefined, 'renewals do not hand the key out again');
+
+    const after = await account(key);
+    assert.equal(Date.parse(after.expiresAt) - Date.parse(before.expiresAt), 30 * DAY);
+    assert.equal(after.callsRemaining, before.callsRemaining + 1000);
+});
+
+test('a paid upgrade moves the key to the bigger plan for the price difference', async () => {
+    const key = await createKey(server, { plan: 'basic' });
+    const before = await account(key);
+
+    const upgrade = await order('/payment/upgrade', key, { plan: 'pro' });
+    assert.equal(upgrade.kind, 'upgrade');
+    assert.ok(upgrade.priceUSD > 9.9 && upgrade.priceUSD <= 10, `prorated ${upgrade.priceUSD}`);
+    await pay(upgrade.orderId, upgrade.priceUSD);
+
+    assert.equal((await orderStatus(upgrade.orderId)).status, 'confirmed');
+    const after = await account(key);
+    assert.equal(after.plan, 'Pro');
+    assert.equal(after.expiresAt, before.expiresAt);
+    assert.ok(after.callsRemaining > before.callsRemaining + 8900, `${after.callsRemaining} calls`);
+
+    const again = await request(server, 'POST', '/payment/upgrade', { body: { plan: 'basic' }, headers: { 'X-API-Key': key } });
+    assert.equal(again.status, 400);
+});
+
+test('an upgrade ordered before a bigger one is closed instead of downgrading the key', async () => {
+    const key = await createKey(server, { plan: 'basic' });
+    const toPro = await order('/payment/upgrade', key, { plan: 'pro' });
+    const toUnlimited = await order('/payment/upgrade', key, { plan: 'unlimited' });
+
+    await pay(toUnlimited.orderId, toUnlimited.priceUSD);
+    assert.equal((await account(key)).plan, 'Unlimited');
+
+    const stale = await orderStatus(toPro.orderId);
+    assert.equal(stale.status, 'superseded');
+    await pay(toPro.orderId, toPro.priceUSD);
+    assert.equal((await account(key)).plan, 'Unlimited');
+    assert.match((await orderStatus(toPro.orderId)).message, /will be refunded/);
+
+    const refund = await request(server, 'POST', `/payment/refund/${toPro.orderId}`, {
+        body: { txid: 'refund-tx' },
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    });
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.refund.amount, toPro.priceUSD);
+});
+
+test('renewing or changing the plan closes open upgrade orders priced for the old period', async () => {
+    const key = await createKey(server, { plan: 'basic' });
+    const upgrade = await order('/payment/upgrade', key, { plan: 'pro' });
+    const renewal = await order('/payment/renew', key);
+    await pay(renewal.orderId, renewal.priceUSD);
+    assert.equal((await orderStatus(upgrade.orderId)).status, 'superseded');
+
+    const next = await order('/payment/upgrade', key, { plan: 'pro' });
+    const comped = await request(server, 'PATCH', `/admin/keys/${key}`, {
+        body: { plan: 'unlimited' },
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    });
+    assert.equal(comped.status, 200);
+    assert.equal((await orderStatus(next.orderId)).status, 'superseded');
+});
@@ -0,0 +1,101 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { startServer, startHttpStub, request, createKey } = require('./helpers');
+
+const down = () => ({ status: 500, body: { error: 'down' } });
+
+const coingeckoUp = ({ url }) => {
+    const ids = new URL(url, 'http://stub').searchParams.get('ids') || '';
+    return { body: Object.fromEntries(ids.split(',').map(id => [id, { usd: 100, usd_24h_change: 1, usd_24h_vol: 1e9 }])) };
+};
+const binanceUp = () => ({ body: { lastPrice: '101', priceChangePercent: '2', quoteVolume: '5000' } });
+const krakenUp = () => ({ body: { error: [], result: { XXBTZUSD: { c: ['102', '1'], o: '100', v: ['1', '10'] } } } });
+
+/**
+ * Start stand-ins for CoinGecko, Binance and Kraken answering with the given
+ * handlers, and a server using them. Everything is stopped after the test.
+ */
+async function setup(t, handlers) {
+    const stubs = {};
+    for (const [name, handler] of Object.entries(handlers)) {
+        stubs[name] = await startHttpStub(handler);
+    }
+    const server = await startServer({
+        COINGECKO_URL: stubs.coingecko.url,
+        BINANCE_URL: stubs.binance.url,
+        KRAKEN_URL: stubs.kraken.url
+    });
+    t.after(async () => {
+        await server.stop();
+        await Promise.all(Object.values(stubs).map(stub => stub.close()));
+    });
+    const key = await createKey(server);
+    const price = symbol => request(server, 'GET', `/price/crypto/${symbol}`, { headers: { 'X-API-Key': key } });
+    return { server, stubs, price };
+}
+
+test('CoinGecko answers when it is up', async t => {
+    const { price, stubs } = await setup(t, { coingecko: coingeckoUp, binance: binanceUp, kraken: krakenUp });
+
+    const res = await price('bitcoin');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, 'coingecko');
+    assert.equal(res.body.price, 100);
+    assert.equal(stubs.binance.requests.length, 0);
+});
+
+test('fails over to Binance, then Kraken', async t => {
+    const { price } = await setup(t, { coingecko: down, binance: binanceUp, kraken: krakenUp });
+    const res = await price('bitcoin');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, 'binance');
+    assert.equal(res.body.price, 101);
+
+    const { price: priceWithoutBinance } = await setup(t, { coingecko: down, binance: down, kraken: krakenUp });
+    const fallback = await priceWithoutBinance('bitcoin');
+    assert.equal(fallback.status, 200);
+    assert.equal(fallback.body.provider, 'kraken');
+    assert.equal(fallback.body.price, 102);
+});
+
+test('a failing provider cools down after repeated failures', async t => {
+    const { server, stubs, price } = await setup(t, { coingecko: down, binance: binanceUp, kraken: krakenUp });
+
+    // Different coins so every request misses the price cache
+    for (const symbol of ['bitcoin', 'ethereum', 'solana']) {
+        assert.equal((await price(symbol)).body.provider, 'binance');
+    }
+    const priceCalls = () => stubs.coingecko.requests.filter(r => r.url.startsWith('/simple/price')).length;
+    const calls = priceCalls();
+
+    const { providers } = (await request(server, 'GET', '/providers')).body;
+    const coingecko = providers.crypto.find(p => p.name === 'coingecko');
+    assert.equal(coingecko.status, 'cooldown');
+    assert.ok(coingecko.consecutiveFailures >= 3);
+    assert.equal(providers.crypto.find(p => p.name === 'binance').status, 'ok');
+
+    assert.equal((await price('binancecoin')).body.provider, 'binance');
+    assert.equal(priceCalls(), calls, 'no price requests to a provider in cooldown');
+});
+
+test('answers 502 with a code when every provider is down', async t => {
+    const { price } = await setup(t, { coingecko: down, binance: down, kraken: down });
+
+    const res = await price('bitcoin');
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'upstream_unavailable');
+});
+
+test('a payload of the wrong shape answers 502 upstream_malformed_response', async t => {
+    const garbage = () => ({ body: null });
+    const { server, price } = await setup(t, { coingecko: garbage, binance: garbage, kraken: garbage });
+
+    const res = await price('bitcoin');
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'upstream_malformed_response');
+    assert.equal(res.body.provider, 'coingecko');
+
+    const global = await request(server, 'GET', '/market/global');
+    assert.equal(global.status, 502);
+    assert.equal(global.body.code, 'upstream_malformed_response');
+});
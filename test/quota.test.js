@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const { ADMIN_TOKEN, startServer, startHttpStub, request, createKey } = require('./helpers');
+
+let coingecko;
+
+before(async () => {
+    coingecko = await startHttpStub(() => ({ body: { bitcoin: { usd: 100, usd_24h_change: 1, usd_24h_vol: 1e9 } } }));
+});
+
+after(() => coingecko.close());
+
+// A server of its own per test, so each starts with a fresh free-tier window
+async function setup(t) {
+    const server = await startServer({ COINGECKO_URL: coingecko.url });
+    t.after(() => server.stop());
+    return server;
+}
+
+const price = (server, headers = {}) => request(server, 'GET', '/price/crypto/bitcoin', { headers });
+
+test('anonymous callers get 10 calls an hour, then a 429 with Retry-After', async t => {
+    const server = await setup(t);
+
+    let reset;
+    for (let i = 1; i <= 10; i++) {
+        const res = await price(server);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('x-ratelimit-limit'), '10');
+        assert.equal(res.headers.get('x-ratelimit-remaining'), String(10 - i));
+        reset = Number(res.headers.get('x-ratelimit-reset'));
+    }
+
+    // The limit covers every data route, not just the one used up
+    const limited = await request(server, 'GET', '/market/global');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('x-ratelimit-remaining'), '0');
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter > 3500 && retryAfter <= 3600, `Retry-After ${retryAfter}`);
+    assert.ok(Math.abs(reset - (Date.now() / 1000 + retryAfter)) < 5);
+    assert.match(limited.body.error, /Free tier limit reached/);
+    assert.equal(limited.body.upgrade, 'POST /payment/create');
+});
+
+test('keys spend their plan\'s calls and get a 429 when they run out', async t => {
+    const server = await setup(t);
+    const key = await createKey(server, { plan: 'basic' });
+    await request(server, 'PATCH', `/admin/keys/${key}`, {
+        body: { addCalls: -998 },
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    });
+
+    const first = await price(server, { 'X-API-Key': key });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-limit'), '1000');
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+    assert.equal((await price(server, { 'X-API-Key': key })).headers.get('x-ratelimit-remaining'), '0');
+
+    const limited = await price(server, { 'X-API-Key': key });
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Basic plan call limit reached/);
+    assert.equal(limited.body.upgrade, 'POST /payment/create');
+
+    // Paid calls don't count against the caller's free allowance
+    assert.equal((await price(server)).headers.get('x-ratelimit-remaining'), '9');
+});
+
+test('unknown and expired keys get a 401', async t => {
+    const server = await setup(t);
+    const unknown = await price(server, { 'X-API-Key': 'pk_unknown' });
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.error, 'Invalid API key');
+
+    const key = await createKey(server);
+    await request(server, 'PATCH', `/admin/keys/${key}`, {
+        body: { addDays: -31 },
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    });
+    const expired = await price(server, { 'X-API-Key': key });
+    assert.equal(expired.status, 401);
+    assert.match(expired.body.error, /API key expired/);
+});
@@ -0,0 +1,134 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { startServer, startHttpStub, request, createKey, waitFor } = require('./helpers');
+
+// The CryptAPI stub keeps its key pair in DATA_DIR, read when it is loaded
+const stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptapi-stub-'));
+process.env.DATA_DIR = stubDir;
+const { serve } = require('../scripts/cryptapi-stub');
+
+let coingecko;
+let stub;
+let stubUrl;
+
+before(async () => {
+    coingecko = await startHttpStub(() => ({ body: { bitcoin: { usd: 100, usd_24h_change: 1, usd_24h_vol: 1e9 } } }));
+    stub = await serve(0);
+    stubUrl = `http://127.0.0.1:${stub.address().port}`;
+});
+
+after(async () => {
+    await coingecko.close();
+    await new Promise(resolve => {
+        stub.close(resolve);
+        stub.closeAllConnections();
+    });
+    fs.rmSync(stubDir, { recursive: true, force: true });
+});
+
+// A file store in a fresh directory; start() runs the server on it
+function fileStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return {
+        file: path.join(dir, 'store.json'),
+        start: () => startServer({ STORAGE: 'file', DATA_DIR: dir, COINGECKO_URL: coingecko.url, CRYPTAPI_URL: stubUrl })
+    };
+}
+
+test('keys, sub-keys, alerts and portfolios survive a restart', async t => {
+    const store = fileStore(t);
+    let server = await store.start();
+    const key = await createKey(server, { plan: 'basic' });
+    const withKey = (method, route, body) => request(server, method, route, { body, headers: { 'X-API-Key': key } });
+
+    const subKey = (await withKey('POST', '/account/keys', { name: 'bot', scopes: ['market'] })).body.apiKey;
+    const alert = await withKey('POST', '/alerts', { type: 'crypto', symbol: 'bitcoin', condition: 'above', threshold: 500 });
+    await withKey('POST', '/portfolio', { positions: [{ type: 'crypto', symbol: 'bitcoin', quantity: 2, costBasis: 150 }] });
+    await withKey('GET', '/price/crypto/bitcoin');
+    const before = (await withKey('GET', '/account')).body;
+    await server.stop();
+
+    server = await store.start();
+    t.after(() => server.stop());
+    assert.match(server.output(), /Loaded 2 keys, 0 orders, 1 alerts from file storage/);
+
+    const account = await withKey('GET', '/account');
+    assert.equal(account.status, 200);
+    assert.deepEqual(account.body, before);
+    assert.equal((await request(server, 'GET', '/price/crypto/bitcoin', { headers: { 'X-API-Key': subKey } })).status, 200);
+
+    const alerts = (await withKey('GET', '/alerts')).body.alerts;
+    assert.deepEqual(alerts.map(a => [a.id, a.threshold]), [[alert.body.id, 500]]);
+    const portfolio = (await withKey('GET', '/portfolio')).body;
+    assert.deepEqual(portfolio.positions.map(p => [p.symbol, p.quantity, p.costBasis]), [['bitcoin', 2, 150]]);
+});
+
+test('a confirmed payment is on disk before the process can crash', async t => {
+    const store = fileStore(t);
+    let server = await store.start();
+    const order = (await request(server, 'POST', '/payment/create', { body: { plan: 'basic' } })).body;
+    await fetch(`${stubUrl}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId: order.orderId, amount: 5 })
+    });
+    const { apiKey } = (await request(server, 'GET', `/payment/status/${order.orderId}`)).body;
+    assert.match(apiKey, /^pk_/);
+
+    await waitFor(() => fs.existsSync(store.file) && fs.readFileSync(store.file, 'utf8').includes(apiKey));
+    await server.stop('SIGKILL');
+
+    server = await store.start();
+    t.after(() => server.stop());
+    const account = await request(server, 'GET', '/account', { headers: { 'X-API-Key': apiKey } });
+    assert.equal(account.status, 200);
+    assert.equal(account.body.plan, 'Basic');
+});
+
+test('payments made while the server was down are recovered from CryptAPI\'s logs', async t => {
+    const store = fileStore(t);
+    let server = await store.start();
+    const order = (await request(server, 'POST', '/payment/create', { body: { plan: 'basic' } })).body;
+    await server.stop();
+
+    // The stub logs the deposit; its callback finds no server to deliver to
+    await fetch(`${stubUrl}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId: order.orderId, amount: 5 })
+    });
+
+    server = await store.start();
+    t.after(() => server.stop());
+    const status = await waitFor(async () => {
+        const res = await request(server, 'GET', `/payment/status/${order.orderId}`);
+        return res.body.status === 'confirmed' && res.body;
+    });
+    assert.match(status.apiKey, /^pk_/);
+});
+
+test('stores written by older versions are migrated on load', async t => {
+    const store = fileStore(t);
+    const created = Date.now();
+    fs.writeFileSync(store.file, JSON.stringify({
+        version: 2,
+        apiKeys: { pk_legacy: { plan: 'Basic', callsRemaining: 10, email: null, createdAt: created, expiresAt: created + 86400000 } },
+        pendingPayments: {
+            legacy: { plan: { name: 'Basic', price: 5, calls: 1000 }, apiKey: 'pk_legacy', status: 'completed', created }
+        },
+        alerts: {},
+        portfolios: {}
+    }));
+
+    const server = await store.start();
+    t.after(() => server.stop());
+    const order = (await request(server, 'GET', '/payment/status/legacy')).body;
+    assert.equal(order.status, 'confirmed');
+    assert.equal(order.kind, 'new');
+    assert.equal(order.priceUSD, 5);
+    assert.equal((await request(server, 'GET', '/account', { headers: { 'X-API-Key': 'pk_legacy' } })).status, 200);
+});
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { after, before, test } = require('node:test');
+const { startServer, startHttpStub, request, createKey, waitFor } = require('./helpers');
+
+let coingecko;
+let receiver;
+let server;
+let key;
+let failNext = 0;
+
+before(async () => {
+    coingecko = await startHttpStub(() => ({ body: { bitcoin: { usd: 100, usd_24h_change: 1, usd_24h_vol: 1e9 } } }));
+    receiver = await startHttpStub(() => {
+        if (failNext > 0) {
+            failNext--;
+            return { status: 500, body: 'try again' };
+        }
+        return { body: 'ok' };
+    });
+    // The receiver listens on 127.0.0.1, which callback URLs may not reach by default
+    server = await startServer({ COINGECKO_URL: coingecko.url, WEBHOOK_ALLOW_PRIVATE_URLS: 'true' });
+    key = await createKey(server);
+});
+
+after(async () => {
+    await server.stop();
+    await receiver.close();
+    await coingecko.close();
+});
+
+function createAlert(path) {
+    return request(server, 'POST', '/alerts', {
+        headers: { 'X-API-Key': key },
+        body: { type: 'crypto', symbol: 'bitcoin', condition: 'above', threshold: 50, callbackUrl: receiver.url + path }
+    });
+}
+
+test('triggered alerts are POSTed with an HMAC signature over timestamp and body', async () => {
+    const created = await createAlert('/signed');
+    assert.equal(created.status, 201);
+
+    const delivery = await waitFor(() => receiver.requests.find(r => r.url === '/signed'));
+    const { secret } = (await request(server, 'GET', '/webhooks/secret', { headers: { 'X-API-Key': key } })).body;
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+
+    assert.equal(delivery.headers['x-webhook-signature'], expected);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    const payload = JSON.parse(delivery.body);
+    assert.equal(payload.event, 'alert.triggered');
+    assert.equal(payload.alertId, created.body.id);
+    assert.equal(payload.price, 100);
+});
+
+test('failed deliveries are retried with the same id until they succeed', async () => {
+    failNext = 1;
+    const created = await createAlert('/retry');
+    assert.equal(created.status, 201);
+
+    const attempts = await waitFor(() => {
+        const found = receiver.requests.filter(r => r.url === '/retry');
+        return found.length >= 2 && found;
+    });
+    assert.equal(attempts[0].headers['x-webhook-id'], attempts[1].headers['x-webhook-id']);
+    assert.equal(attempts[0].body, attempts[1].body);
+
+    const { deliveries } = (await request(server, 'GET', `/alerts/${created.body.id}/deliveries`, { headers: { 'X-API-Key': key } })).body;
+    assert.equal(deliveries[0].status, 'delivered');
+    assert.deepEqual(deliveries[0].attempts.map(a => a.statusCode), [500, 200]);
+});
+
+test('rotating the secret changes the signature', async () => {
+    const previous = (await request(server, 'GET', '/webhooks/secret', { headers: { 'X-API-Key': key } })).body.secret;
+    const rotated = await request(server, 'POST', '/webhooks/secret/rotate', { headers: { 'X-API-Key': key } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.secret, previous);
+
+    await createAlert('/rotated');
+    const delivery = await waitFor(() => receiver.requests.find(r => r.url === '/rotated'));
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const sign = secret => 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+    assert.equal(delivery.headers['x-webhook-signature'], sign(rotated.body.secret));
+    assert.notEqual(delivery.headers['x-webhook-signature'], sign(previous));
+});
+
+test('callback URLs into private networks are refused', async t => {
+    const guarded = await startServer({ COINGECKO_URL: coingecko.url });
+    t.after(() => guarded.stop());
+    const guardedKey = await createKey(guarded);
+
+    for (const callbackUrl of [
+        receiver.url + '/private',
+        'http://localhost/hook',
+        'http://10.0.0.8/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:192.168.1.1]/hook'
+    ]) {
+        const res = await request(guarded, 'POST', '/alerts', {
+            headers: { 'X-API-Key': guardedKey },
+            body: { type: 'crypto', symbol: 'bitcoin', condition: 'above', threshold: 50, callbackUrl }
+        });
+        assert.equal(res.status, 400, callbackUrl);
+        assert.equal(res.body.code, 'blocked_callback_url');
+    }
+    assert.equal(receiver.requests.filter(r => r.url === '/private').length, 0);
+});